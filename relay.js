@@ -0,0 +1,122 @@
+// A minimal WebSocket relay for testing rooms locally: node relay.js [port]
+// Then enter ws://localhost:8080 as the server when hosting or joining.
+// Each frame is JSON { room, message } and goes to every other socket that has sent a frame
+// for the same room. No dependencies; only unfragmented text frames are supported.
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2]) || 8080;
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Room id -> sockets that have sent frames for it
+const rooms = new Map();
+
+const encodeFrame = (opcode, payload) => {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header.writeUInt16BE(length, 2);
+        header[1] = 126;
+    } else {
+        header = Buffer.alloc(10);
+        header.writeBigUInt64BE(BigInt(length), 2);
+        header[1] = 127;
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+};
+
+// Returns the first complete frame in 'buffer' and its size in bytes, or null if incomplete
+const decodeFrame = buffer => {
+    if (buffer.length < 2) return null;
+    const opcode = buffer[0] & 0x0f;
+    const masked = buffer[1] & 0x80;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    const mask = masked ? buffer.slice(offset, offset + 4) : null;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.slice(offset, offset + length));
+    if (mask) payload.forEach((byte, i) => (payload[i] = byte ^ mask[i % 4]));
+    return { opcode, payload, size: offset + length };
+};
+
+const leaveAll = socket => rooms.forEach(members => members.delete(socket));
+
+const relay = (socket, text) => {
+    let frame;
+    try {
+        frame = JSON.parse(text);
+    } catch (e) {
+        return;
+    }
+    if (!frame || typeof frame.room !== 'string') return;
+
+    if (!rooms.has(frame.room)) rooms.set(frame.room, new Set());
+    const members = rooms.get(frame.room);
+    members.add(socket);
+
+    const out = encodeFrame(0x1, Buffer.from(text));
+    members.forEach(other => other !== socket && !other.destroyed && other.write(out));
+};
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('This server only relays WebSocket frames.\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) return socket.destroy();
+
+    const accept = crypto
+        .createHash('sha1')
+        .update(key + GUID)
+        .digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\n' +
+            'Connection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    let buffer = Buffer.alloc(0);
+    socket.on('data', data => {
+        buffer = Buffer.concat([buffer, data]);
+        for (let frame = decodeFrame(buffer); frame; frame = decodeFrame(buffer)) {
+            buffer = buffer.slice(frame.size);
+            switch (frame.opcode) {
+                case 0x1:
+                    relay(socket, frame.payload.toString('utf8'));
+                    break;
+                case 0x8:
+                    socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+                    leaveAll(socket);
+                    return;
+                case 0x9:
+                    socket.write(encodeFrame(0xa, frame.payload));
+                    break;
+            }
+        }
+    });
+    socket.on('close', () => leaveAll(socket));
+    socket.on('error', () => leaveAll(socket));
+});
+
+server.listen(PORT, () => console.log(`Relaying rooms on ws://localhost:${PORT}`));
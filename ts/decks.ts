@@ -0,0 +1,191 @@
+import { LabelSnapshot, MIN_WEIGHT, MAX_WEIGHT } from './models';
+
+/* ---- Deck import/export ---- */
+
+type DeckFormat = 'json' | 'csv' | 'text';
+
+type DeckData = { name: string; list: LabelSnapshot[]; freeIndex: number };
+
+const MAX_LABEL_LENGTH = 200;
+
+const formatFromFilename = (filename = ''): DeckFormat => {
+    const ext = filename.toLowerCase().split('.').pop();
+    if (ext === 'json') return 'json';
+    if (ext === 'csv') return 'csv';
+    return 'text';
+};
+
+const toLabel = (raw: string | LabelSnapshot): LabelSnapshot =>
+    typeof raw === 'string' ? { text: raw } : raw;
+
+const checkLabel = ({ text, category = '', weight = 1 }: LabelSnapshot) => {
+    if (text.length > MAX_LABEL_LENGTH)
+        throw new Error(`Labels can be at most ${MAX_LABEL_LENGTH} characters: "${text}"`);
+    if (typeof weight !== 'number' || !(weight >= MIN_WEIGHT && weight <= MAX_WEIGHT))
+        throw new Error(
+            `"${text}" has weight ${weight}; weights go from ${MIN_WEIGHT} to ${MAX_WEIGHT}.`
+        );
+    return { text, category: category.replace(/\s+/g, ' ').trim(), weight };
+};
+
+// Trims and drops empty or repeated labels (ignoring case), keeping the first of each.
+// The free label is moved to the front.
+const cleanLabels = (raw: (string | LabelSnapshot)[], free: string | LabelSnapshot = '') => {
+    const seen = new Set<string>();
+    const list = [free, ...raw]
+        .map(toLabel)
+        .map(label => ({ ...label, text: label.text.replace(/\s+/g, ' ').trim() }))
+        .filter(({ text }) => {
+            const key = text.toLowerCase();
+            if (!text || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .map(checkLabel);
+
+    return { list, dropped: raw.length + (toLabel(free).text ? 1 : 0) - list.length };
+};
+
+// Splits CSV text into rows of fields, handling quoted fields with commas, quotes and newlines
+const parseCsv = (text: string) => {
+    const rows: string[][] = [[]];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') quoted = false;
+            else field += c;
+        } else if (c === '"') quoted = true;
+        else if (c === ',') {
+            rows[rows.length - 1].push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            rows[rows.length - 1].push(field);
+            rows.push([]);
+            field = '';
+        } else field += c;
+    }
+    if (quoted) throw new Error('CSV has an unclosed quote.');
+    rows[rows.length - 1].push(field);
+
+    return rows.filter(row => row.some(f => f.trim()));
+};
+
+const csvField = (value: string) =>
+    /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+const isJsonLabel = (label: any) =>
+    typeof label === 'string' ||
+    (label !== null &&
+        typeof label === 'object' &&
+        typeof label.text === 'string' &&
+        ['string', 'undefined'].includes(typeof label.category) &&
+        ['number', 'undefined'].includes(typeof label.weight));
+
+const readJson = (text: string, name: string) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Not valid JSON: ${e.message}`);
+    }
+
+    // A bare array is a list of labels with the free label first
+    if (Array.isArray(data)) data = { labels: data.slice(1), free: data[0] };
+    if (!data || !Array.isArray(data.labels))
+        throw new Error('JSON decks need a "labels" array of strings.');
+    if (!data.labels.every(isJsonLabel))
+        throw new Error(
+            'Every label in a JSON deck must be a string or { "text", "category", "weight" }.'
+        );
+    if (data.free !== undefined && !isJsonLabel(data.free))
+        throw new Error('The "free" label in a JSON deck must be a string or a label object.');
+
+    return {
+        name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : name,
+        free: data.free || '',
+        labels: data.labels,
+    };
+};
+
+const csvColumns = ['label', 'free', 'category', 'weight'];
+
+// Columns follow the header row if there is one, otherwise label,free,category,weight
+const readCsv = (text: string, name: string) => {
+    const rows = parseCsv(text);
+    const header = rows.length && rows[0].map(f => f.trim().toLowerCase());
+    const columns = header && header.includes('label') ? (rows.shift(), header) : csvColumns;
+    const field = (row: string[], column: string) => (row[columns.indexOf(column)] || '').trim();
+
+    const labels = rows.map(row => {
+        const weight = field(row, 'weight');
+        return {
+            text: row[columns.indexOf('label')] || '',
+            category: field(row, 'category'),
+            weight: weight ? Number(weight) : 1,
+            free: /^(1|true|yes|free)$/i.test(field(row, 'free')),
+        };
+    });
+
+    // A truthy free column marks the free label; otherwise the first row is used
+    const freeLabel = labels.find(l => l.free) || labels[0];
+    const strip = ({ text, category, weight }) => ({ text, category, weight });
+
+    return {
+        name,
+        free: freeLabel ? strip(freeLabel) : '',
+        labels: labels.filter(l => l !== freeLabel).map(strip),
+    };
+};
+
+const readText = (text: string, name: string) => {
+    const [free = '', ...labels] = text.split(/\r?\n/).filter(line => line.trim());
+    return { name, free, labels };
+};
+
+// Throws an Error with a readable message if the text can't be used as a deck
+const parseDeck = (text: string, format: DeckFormat, name = 'Imported deck') => {
+    const read = { json: readJson, csv: readCsv, text: readText }[format];
+    if (!read) throw new Error(`Unknown deck format: ${format}`);
+
+    const { name: deckName, free, labels } = read(text, name);
+    const { list, dropped } = cleanLabels(labels, free);
+    if (list.length < 2) throw new Error('A deck needs a free label and at least one other label.');
+
+    return { deck: { name: deckName, list, freeIndex: 0 } as DeckData, dropped };
+};
+
+// Exports put the free label first, matching what parseDeck expects back
+const serializeDeck = ({ name, list, freeIndex }: DeckData, format: DeckFormat) => {
+    // Labels from the editor are already valid, so unlike imports these aren't checked
+    // An empty deck has no free label to put first
+    const labels = [list[freeIndex], ...list.filter((_, i) => i !== freeIndex)]
+        .filter(label => label !== undefined)
+        .map(toLabel)
+        .map(({ text, category = '', weight = 1 }) => ({ text, category, weight }));
+
+    switch (format) {
+        case 'json': {
+            // Plain labels stay plain strings
+            const entries = labels.map(l => (l.category || l.weight !== 1 ? l : l.text));
+            return JSON.stringify({ name, free: entries[0], labels: entries.slice(1) }, null, 4);
+        }
+        case 'csv':
+            return [
+                csvColumns.join(','),
+                ...labels.map(({ text, category, weight }, i) =>
+                    [csvField(text), i ? '' : '1', csvField(category), weight].join(',')
+                ),
+            ].join('\n');
+        default:
+            return labels.map(l => l.text).join('\n');
+    }
+};
+
+export { parseDeck, serializeDeck, formatFromFilename, DeckFormat, DeckData, MAX_LABEL_LENGTH };
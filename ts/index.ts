@@ -1,33 +1,307 @@
 import { html, render } from 'lit-html';
-import { autorun, observable } from 'mobx';
+import { autorun, observable, reaction } from 'mobx';
 import { getSnapshot, applySnapshot } from 'mobx-state-tree';
 import { classMap } from 'lit-html/directives/class-map';
-import { buildBoard, LabelList, Board } from './models';
-import { t_board, t_labellist, t_bingo } from './templates';
+import {
+    buildBoard,
+    boardProblem,
+    decodeBoardCode,
+    BoardOptions,
+    DeckList,
+    Board,
+    BoardSettings,
+    History,
+    PatternSet,
+    Room,
+    BoardType,
+} from './models';
+import { buildBatch, cardSvg, batchPdf, MAX_BATCH } from './print';
+import { broadcastTransport, webSocketTransport } from './transport';
+import { hostRoom, joinRoom, newId, RoomTransport } from './room';
+import { parseDeck, serializeDeck, formatFromFilename, DeckFormat } from './decks';
+import {
+    t_board,
+    t_boardcode,
+    t_decks,
+    t_labellist,
+    t_patterns,
+    t_settings,
+    t_history,
+    t_analytics,
+    t_stats,
+    t_undo,
+    t_room,
+    t_print,
+    t_printbatch,
+    t_bingo,
+} from './templates';
 
-let game = observable({ board: Board.create({}), mode: 'setup' });
+let game = observable({
+    board: Board.create({}),
+    mode: 'setup',
+    notice: '',
+    batch: [] as BoardType[],
+    announcement: '',
+    dismissed: false,
+});
+
+const setUrlCode = (code: string) =>
+    history.replaceState(null, '', code ? `#${code}` : location.pathname + location.search);
+
+const patternNotice = (size: number) => {
+    const unfit = patterns.unfit(size);
+    return unfit.length
+        ? `Skipping ${unfit.join(', ')}: drawn for a different board size than ${size}x${size}.`
+        : '';
+};
+
+const start = (options: BoardOptions) => {
+    const problem = boardProblem(decks.deck, options);
+    if (problem) {
+        game.notice = problem;
+        game.mode = 'setup';
+        return false;
+    }
 
-const lastGame = Board.create({});
+    game.board = buildBoard(decks.deck, options);
+    game.board.setPatterns(patterns.selected(game.board.size));
+    game.mode = 'play';
+    game.notice = patternNotice(game.board.size);
+    game.dismissed = false;
+    return true;
+};
 
 const generate = () => {
-    if (labels.list.length) {
-        game.board = buildBoard(labels, 5);
-        game.mode = 'play';
+    if (start(getSnapshot(settings))) setUrlCode(game.board.code);
+};
+
+const loadCode = (code: string) => {
+    const decoded = decodeBoardCode(code);
+    if (!decoded) {
+        game.notice = `"${code}" is not a valid board code.`;
+        return;
+    }
+    // The code may belong to another deck; switch to it if so
+    const deckIndex = decks.decks.findIndex(deck => deck.hash === decoded.hash);
+    if (deckIndex < 0) {
+        game.notice = `Board code ${code} was made from a label list that isn't here.`;
+        return;
     }
+    decks.select(deckIndex);
+    if (start(decoded)) setUrlCode(game.board.code);
 };
 
 const win = () => {
-    applySnapshot(lastGame, getSnapshot(game.board));
+    pastGames.record(game.board, decks.deck.name);
+    if (roomPlayer) {
+        // Players keep this board, so don't offer the same Bingo again
+        roomPlayer.claim(game.board);
+        game.dismissed = true;
+        game.mode = 'room';
+        return;
+    }
     generate();
-    game.mode = 'last';
+    game.mode = 'history';
 };
 
-const getStagePosition = (mode: 'setup' | 'play' | 'last') =>
-    `translateY(${-100 * (['setup', 'play', 'last'].indexOf(mode) / 3)}%)`;
+// In a room, players keep the board the host dealt them
+const play = () => {
+    if (roomPlayer) game.mode = 'play';
+    else generate();
+};
 
-const labels = LabelList.create({
-    list: JSON.parse(localStorage.getItem('jsb-labels')) || window['_LABELS_'] || [],
-});
+const showBingo = () => game.mode === 'play' && game.board.completed && !game.dismissed;
+
+const focusBoard = () => {
+    const square = document.querySelector<HTMLElement>('.board .square[tabindex="0"]');
+    if (square) square.focus();
+};
+
+const dismissBingo = () => {
+    game.dismissed = true;
+    requestAnimationFrame(focusBoard);
+};
+
+const stages = ['setup', 'play', 'history', 'room'];
+
+const getStagePosition = (mode: string) =>
+    `translateY(${-100 * (stages.indexOf(mode) / stages.length)}%)`;
+
+/* ---- Rooms ---- */
+
+const room = Room.create({});
+
+let leaveRoom = () => {};
+let roomPlayer: ReturnType<typeof joinRoom> = null;
+
+// Returns undefined, with the reason in the notice, if the server URL can't be used
+const connect = (id: string, url: string): RoomTransport => {
+    if (!url) return broadcastTransport(id);
+    try {
+        return webSocketTransport(url, id, message => {
+            leave();
+            game.notice = message;
+        });
+    } catch (e) {
+        game.notice = `Couldn't connect to ${url}: ${e.message}`;
+    }
+};
+
+const host = (url = '') => {
+    leave();
+    const id = newId();
+    const transport = connect(id, url.trim());
+    if (!transport) return;
+
+    game.notice = '';
+    room.setVerdict('');
+    applySnapshot(room, { id, host: true });
+    leaveRoom = hostRoom(room, transport, () => ({
+        labels: decks.deck,
+        options: getSnapshot(settings),
+        patterns: patterns.selected(settings.size),
+    }));
+};
+
+const join = (id: string, name: string, url = '') => {
+    if (!id.trim()) return;
+    leave();
+    const transport = connect(id.trim(), url.trim());
+    if (!transport) return;
+
+    game.notice = '';
+    applySnapshot(room, { id: id.trim() });
+    roomPlayer = joinRoom(room, transport, name.trim() || 'Player', snapshot => {
+        // The host may resend the board we already have
+        if (game.board.seed !== snapshot.seed) game.board = Board.create(snapshot);
+        setUrlCode(game.board.code);
+        game.mode = 'play';
+        return game.board;
+    });
+    leaveRoom = roomPlayer.leave;
+};
+
+const leave = () => {
+    leaveRoom();
+    leaveRoom = () => {};
+    roomPlayer = null;
+    applySnapshot(room, {});
+};
+
+// Older versions kept a single label list under 'jsb-labels'
+const decks = DeckList.create(
+    JSON.parse(localStorage.getItem('jsb-decks')) || {
+        decks: [
+            {
+                name: 'Default',
+                list: JSON.parse(localStorage.getItem('jsb-labels')) || window['_LABELS_'] || [],
+            },
+        ],
+    }
+);
+
+const deckTypes: { [format in DeckFormat]: [string, string] } = {
+    json: ['json', 'application/json'],
+    csv: ['csv', 'text/csv'],
+    text: ['txt', 'text/plain'],
+};
+
+const download = (filename: string, blob: Blob) => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+};
+
+const deckLabels = () => decks.deck.list.map(l => l.text);
+
+const exportDeck = (format: DeckFormat) => {
+    const { name, list, freeIndex } = getSnapshot(decks.deck);
+    const [ext, type] = deckTypes[format];
+    download(
+        `${name}.${ext}`,
+        new Blob([serializeDeck({ name, list: [...list], freeIndex }, format)], { type })
+    );
+};
+
+/* ---- Printing ---- */
+
+const makeBatch = (count: number) => {
+    count = Math.min(MAX_BATCH, Math.max(1, Math.floor(count) || 1));
+    const options = getSnapshot(settings);
+    const problem = boardProblem(decks.deck, options);
+    if (problem) {
+        game.notice = problem;
+        return;
+    }
+
+    game.batch = buildBatch(decks.deck, options, count);
+    game.batch.forEach(board => board.setPatterns(patterns.selected(board.size)));
+    game.notice =
+        game.batch.length < count
+            ? `This deck only gave ${game.batch.length} different cards, not ${count}.`
+            : '';
+};
+
+const printBatch = (format: 'print' | 'svg' | 'pdf') => {
+    const title = decks.deck.name;
+    if (format === 'print') window.print();
+    else if (format === 'pdf') download(`${title}.pdf`, batchPdf(game.batch, title));
+    else
+        game.batch.forEach(board =>
+            download(
+                `${title} ${board.code}.svg`,
+                new Blob([cardSvg(board, title)], { type: 'image/svg+xml' })
+            )
+        );
+};
+
+const importDeck = (file: File) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const { deck, dropped } = parseDeck(
+                reader.result as string,
+                formatFromFilename(file.name),
+                file.name.replace(/\.[^.]*$/, '')
+            );
+            decks.add(deck);
+            game.notice = dropped
+                ? `Imported "${deck.name}", skipping ${dropped} empty or repeated labels.`
+                : '';
+        } catch (e) {
+            game.notice = `Couldn't import ${file.name}: ${e.message}`;
+        }
+    };
+    reader.readAsText(file);
+};
+
+const patterns = PatternSet.create(JSON.parse(localStorage.getItem('jsb-patterns')) || {});
+
+const savePattern = () => {
+    game.notice = patterns.draftProblem;
+    patterns.saveDraft();
+};
+
+const settings = BoardSettings.create(JSON.parse(localStorage.getItem('jsb-settings')) || {});
+
+const setSize = (size: number) => {
+    settings.setSize(size);
+    if (patterns.draft.size !== settings.size) patterns.draft.resize(settings.size);
+};
+
+setSize(settings.size);
+
+const pastGames = History.create(JSON.parse(localStorage.getItem('jsb-history')) || {});
+
+// Resume the game in progress, unless the URL asks for a different board
+const savedBoard = JSON.parse(localStorage.getItem('jsb-board'));
+if (savedBoard && savedBoard.squares && savedBoard.squares.length) {
+    game.board = Board.create(savedBoard);
+    game.mode = 'play';
+}
 
 const t_game = game => html`
     <div class="game-nav">
@@ -36,34 +310,129 @@ const t_game = game => html`
             @click=${() => (game.mode = 'setup')}
         >
             Setup</button
-        ><button class=${classMap({ activated: game.mode === 'play' })} @click=${generate}>
-            Play
+        ><button class=${classMap({ activated: game.mode === 'play' })} @click=${play}>Play</button>
+        <button
+            class=${classMap({ activated: game.mode === 'history' })}
+            @click=${() => (game.mode = 'history')}
+        >
+            History
         </button>
         <button
-            class=${classMap({ activated: game.mode === 'last' })}
-            @click=${() => (game.mode = 'last')}
+            class=${classMap({ activated: game.mode === 'room' })}
+            @click=${() => (game.mode = 'room')}
         >
-            Last
+            Room
         </button>
+        ${game.notice ? html`<div class="game-notice">${game.notice}</div>` : html``}
     </div>
     <div class="game-stage">
         <div class="game-stage-grid" style="transform: ${getStagePosition(game.mode)};">
-            <div class="game-stage-item">${t_labellist(labels)}</div>
-            <div class="game-stage-item">${t_board(game.board)}</div>
-            <div class="game-stage-item" style="pointer-events: none;">
-                ${lastGame.squares.length ? t_board(lastGame) : 'No past games to display!'}
+            <div class="game-stage-item">
+                <div class="setup-panels">
+                    <div class="setup-panel">
+                        ${t_decks(decks, importDeck, exportDeck)} ${t_labellist(decks.deck)}
+                    </div>
+                    <div class="setup-panel">
+                        ${t_settings(settings, setSize)} ${t_patterns(patterns, savePattern)}
+                        ${t_print(game.batch, makeBatch, printBatch)}
+                    </div>
+                </div>
             </div>
+            <div class="game-stage-item">
+                <div class="play-area">${t_board(game.board, true)} ${t_stats(game.board)}</div>
+                ${t_undo(game.board)} ${t_boardcode(game.board.code, loadCode)}
+            </div>
+            <div class="game-stage-item">
+                <div class="history-panels">
+                    ${t_history(pastGames)} ${t_analytics(pastGames, decks.deck)}
+                </div>
+            </div>
+            <div class="game-stage-item">${t_room(room, deckLabels(), { host, join, leave })}</div>
         </div>
-        ${game.board.completed ? t_bingo(win) : html``}
+        ${showBingo() ? t_bingo(win, game.board.win.pattern.label, dismissBingo) : html``}
+        <div class="visually-hidden" role="status" aria-live="polite">${game.announcement}</div>
     </div>
 `;
 
+// Ctrl+Z to undo, Ctrl+Y or Ctrl+Shift+Z to redo, while playing
+document.addEventListener('keydown', event => {
+    const { ctrlKey, metaKey, shiftKey, target } = event;
+    if (game.mode !== 'play' || !(ctrlKey || metaKey) || target instanceof HTMLInputElement) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !shiftKey) game.board.undo();
+    else if (key === 'y' || key === 'z') game.board.redo();
+    else return;
+    event.preventDefault();
+});
+
+const urlCode = decodeURIComponent(location.hash.slice(1));
+if (urlCode && urlCode !== game.board.code) loadCode(urlCode);
+else setUrlCode(game.board.code);
+
 autorun(() => {
     render(t_game(game), document.querySelector('#app'));
 });
 
+/* ---- Announcements ---- */
+
+// Tell screen readers what changed on the board, and about any line that just became one away
+let lastChecked: { board: BoardType; checked: boolean[]; oneAway: string[] } = null;
+reaction(
+    () => ({ board: game.board, checked: game.board.squares.map(s => s.checked) }),
+    ({ board, checked }) => {
+        const { oneAway } = board;
+        if (lastChecked && lastChecked.board === board) {
+            const changed = checked.findIndex((c, i) => c !== lastChecked.checked[i]);
+            const newlyAway = oneAway.filter(line => !lastChecked.oneAway.includes(line));
+            if (changed >= 0)
+                game.announcement =
+                    `${checked[changed] ? 'Checked' : 'Unchecked'} ${board.squares[changed].label}.` +
+                    (newlyAway.length ? ` One away on ${newlyAway.join(' and ')}.` : '');
+        } else game.announcement = '';
+        lastChecked = { board, checked, oneAway };
+    }
+);
+
+reaction(
+    () => game.board.completed,
+    completed => {
+        if (!completed) game.dismissed = false;
+    }
+);
+
+// Move focus into the Bingo dialog when it opens
+reaction(showBingo, show => {
+    if (show)
+        requestAnimationFrame(() => {
+            const button = document.querySelector<HTMLElement>('#btn-restart');
+            if (button) button.focus();
+        });
+});
+
+autorun(() => {
+    render(t_printbatch(game.batch, decks.deck.name), document.querySelector('#print'));
+});
+
+autorun(() => {
+    localStorage.setItem('jsb-decks', JSON.stringify(getSnapshot(decks)));
+});
+localStorage.removeItem('jsb-labels');
+
+autorun(() => {
+    localStorage.setItem('jsb-board', JSON.stringify(getSnapshot(game.board)));
+});
+
+autorun(() => {
+    localStorage.setItem('jsb-history', JSON.stringify(getSnapshot(pastGames)));
+});
+
+autorun(() => {
+    localStorage.setItem('jsb-settings', JSON.stringify(getSnapshot(settings)));
+});
+
 autorun(() => {
-    localStorage.setItem('jsb-labels', JSON.stringify(labels.list));
+    localStorage.setItem('jsb-patterns', JSON.stringify(getSnapshot(patterns)));
 });
 
 Object.assign(window, { game });
@@ -1,50 +1,168 @@
-import { types, Instance, cast } from 'mobx-state-tree';
+import { types, Instance, SnapshotIn, cast, getSnapshot, addMiddleware } from 'mobx-state-tree';
 
 /* ---- Utilities ---- */
 const seq = (i: number) => [...Array(Math.round(i)).keys()];
 
-const randInt = (upper: number) => Math.floor(Math.random() * upper);
+type Rng = () => number;
 
-const shuffleArray = arr => {
+// mulberry32: small, fast 32-bit PRNG so a seed always yields the same board
+const seededRng = (seed: number): Rng => {
+    let t = seed >>> 0;
+    return () => {
+        t = (t + 0x6d2b79f5) >>> 0;
+        let r = Math.imul(t ^ (t >>> 15), 1 | t);
+        r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const randomSeed = () => Math.floor(Math.random() * 4294967296);
+
+const randInt = (upper: number, rng: Rng = Math.random) => Math.floor(rng() * upper);
+
+const shuffleArray = (arr, rng: Rng = Math.random) => {
     const a = [...arr];
     for (let i = a.length - 1; i > 0; i--) {
-        const j = randInt(i + 1);
+        const j = randInt(i + 1, rng);
         [a[i], a[j]] = [a[j], a[i]];
     }
     return a;
 };
 
+// FNV-1a, used to tell whether a board code was made from the same labels
+const hashString = (str: string) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+};
+
+/* ---- Label ---- */
+
+const MIN_WEIGHT = 0.1;
+const MAX_WEIGHT = 10;
+
+// Weight is relative: a label with weight 2 turns up about twice as often as one with weight 1
+const LabelBase = types
+    .model('Label', {
+        text: '',
+        category: '',
+        weight: 1,
+    })
+    .actions(self => ({
+        setText(text = '') {
+            if (text.trim()) self.text = text.replace(/\s+/g, ' ').trim();
+        },
+        setCategory(category = '') {
+            self.category = category.trim();
+        },
+        setWeight(weight: number) {
+            self.weight = Math.min(MAX_WEIGHT, Math.max(MIN_WEIGHT, weight || 1));
+        },
+    }));
+
+// Older saves (and window._LABELS_) hold plain strings
+const Label = types.snapshotProcessor(LabelBase, {
+    preProcessor: (snapshot: string | SnapshotIn<typeof LabelBase>) =>
+        typeof snapshot === 'string' ? { text: snapshot } : snapshot,
+});
+
+type LabelType = Instance<typeof LabelBase>;
+type LabelSnapshot = SnapshotIn<typeof LabelBase>;
+
 /* ---- Label List ---- */
 
 const LabelList = types
     .model('Labels', {
-        list: types.array(types.string),
+        name: 'Untitled deck',
+        list: types.array(Label),
         freeIndex: types.optional(types.number, 0),
     })
     .actions(self => ({
-        add(text = '') {
-            self.list.push(text);
+        add(text = '', category = '', weight = 1) {
+            self.list.push({ text, category, weight });
         },
         delete(idx: number = null) {
-            // Use 'cast' to avoid TypeScript errors
-            if (idx !== null) self.list = cast(self.list.filter((_, i) => i !== idx));
+            if (idx !== null) self.list.splice(idx, 1);
             else self.list.pop();
+            // Keep the same label as the free one
+            if (idx !== null && idx < self.freeIndex) self.freeIndex--;
+            else if (self.freeIndex >= self.list.length) self.freeIndex = 0;
         },
         setFreeIndex(idx: number = 0) {
             self.freeIndex = idx < self.list.length ? idx : 0;
         },
+        rename(name = '') {
+            if (name.trim()) self.name = name.trim();
+        },
     }))
     .views(self => ({
         get freeLabel() {
-            return self.list[self.freeIndex];
+            return self.list[self.freeIndex] && self.list[self.freeIndex].text;
         },
         get numLabels() {
             return self.list.length;
         },
+        // Plain labels hash as bare text, so codes from before weights and categories still work
+        get hash() {
+            const entries = self.list.map(({ text, category, weight }) =>
+                category || weight !== 1 ? [text, category, weight] : text
+            );
+            return hashString(JSON.stringify([self.freeIndex, ...entries]));
+        },
+        get categories() {
+            return [...new Set(self.list.map(l => l.category).filter(c => c))].sort();
+        },
+        // Categories among the labels that can go on a card, i.e. not the free one
+        get dealtCategories() {
+            return [
+                ...new Set(self.list.filter((_, i) => i !== self.freeIndex).map(l => l.category)),
+            ].filter(c => c);
+        },
+        get weighted() {
+            return self.list.some(l => l.category || l.weight !== 1);
+        },
     }));
 
 type LabelListType = Instance<typeof LabelList>;
 
+/* ---- Decks ---- */
+
+const DeckList = types
+    .model('Decks', {
+        decks: types.optional(types.array(LabelList), [{ name: 'Default' }]),
+        current: 0,
+    })
+    .actions(self => ({
+        select(idx: number) {
+            if (idx >= 0 && idx < self.decks.length) self.current = idx;
+        },
+        add(deck: { name?: string; list?: (string | LabelSnapshot)[]; freeIndex?: number } = {}) {
+            self.decks.push(deck);
+            self.current = self.decks.length - 1;
+        },
+        duplicate(idx: number = self.current) {
+            const { name, list, freeIndex } = getSnapshot(self.decks[idx]);
+            self.decks.push({ name: `${name} (copy)`, list, freeIndex });
+            self.current = self.decks.length - 1;
+        },
+        // The last deck can't be deleted, so there's always one to edit
+        delete(idx: number = self.current) {
+            if (self.decks.length === 1) return;
+            self.decks = cast(self.decks.filter((_, i) => i !== idx).map(d => getSnapshot(d)));
+            if (self.current >= idx && self.current > 0) self.current--;
+        },
+    }))
+    .views(self => ({
+        get deck() {
+            return self.decks[self.current];
+        },
+    }));
+
+type DeckListType = Instance<typeof DeckList>;
+
 /* ---- Square ---- */
 
 const Square = types
@@ -54,22 +172,382 @@ const Square = types
         label: 'Default label',
         col: 0,
         row: 0,
+        checkedAt: types.maybe(types.number),
     })
     .actions(self => ({
         check() {
             self.checked = !self.checked;
+            self.checkedAt = self.checked ? Date.now() : undefined;
+        },
+        // Used by undo/redo, which shouldn't show up in the check log
+        setChecked(checked: boolean, time?: number) {
+            self.checked = checked;
+            self.checkedAt = checked ? time : undefined;
         },
     }));
 
 type SquareType = Instance<typeof Square>;
 
+/* ---- Win patterns ---- */
+
+type Lines = {
+    squares: SquareType[];
+    size: number;
+    rows: SquareType[][];
+    columns: SquareType[][];
+    diagonals: SquareType[][];
+};
+
+// Each pattern lists the groups of squares that win when all of them are checked
+const builtinPatterns: {
+    [name: string]: { label: string; groups: (board: Lines) => SquareType[][] };
+} = {
+    lines: {
+        label: 'Any line',
+        groups: ({ rows, columns, diagonals }) => [...rows, ...columns, ...diagonals],
+    },
+    corners: {
+        label: 'Four corners',
+        groups: ({ squares, size }) => [
+            squares.filter(s => [0, size - 1].includes(s.row) && [0, size - 1].includes(s.col)),
+        ],
+    },
+    x: {
+        label: 'X',
+        groups: ({ squares, diagonals }) => [
+            squares.filter(s => diagonals.some(d => d.includes(s))),
+        ],
+    },
+    blackout: {
+        label: 'Blackout',
+        groups: ({ squares }) => [squares],
+    },
+    l: {
+        label: 'L shape',
+        groups: ({ squares, size }) =>
+            [0, size - 1].flatMap(col =>
+                [0, size - 1].map(row => squares.filter(s => s.col === col || s.row === row))
+            ),
+    },
+    twolines: {
+        label: 'Any two lines',
+        groups: ({ squares, rows, columns, diagonals }) => {
+            const lines = [...rows, ...columns, ...diagonals];
+            return lines.flatMap((a, i) =>
+                lines.slice(i + 1).map(b => squares.filter(s => a.includes(s) || b.includes(s)))
+            );
+        },
+    },
+};
+
+// Built-in patterns are referenced by name; custom ones carry a size x size mask in 'cells'
+const Pattern = types
+    .model('Pattern', {
+        name: 'lines',
+        size: 0,
+        cells: types.array(types.boolean),
+    })
+    .actions(self => ({
+        toggle(idx: number) {
+            if (idx < self.cells.length) self.cells[idx] = !self.cells[idx];
+        },
+        resize(size: number) {
+            self.size = size;
+            self.cells = cast(seq(size ** 2).map(() => false));
+        },
+        setName(name = '') {
+            self.name = name.trim();
+        },
+    }))
+    .views(self => ({
+        get custom() {
+            return self.cells.length > 0;
+        },
+        get label() {
+            if (self.cells.length) return self.name;
+            return builtinPatterns[self.name] ? builtinPatterns[self.name].label : self.name;
+        },
+        groups(board: Lines): SquareType[][] {
+            if (!self.cells.length)
+                return builtinPatterns[self.name] ? builtinPatterns[self.name].groups(board) : [];
+
+            if (self.size !== board.size) return [];
+            const group = board.squares.filter(s => self.cells[s.row * self.size + s.col]);
+            return group.length ? [group] : [];
+        },
+    }));
+
+type PatternType = Instance<typeof Pattern>;
+
+const PatternSet = types
+    .model('PatternSet', {
+        active: types.optional(types.array(types.string), ['lines']),
+        custom: types.array(Pattern),
+        draft: types.optional(Pattern, () => ({
+            name: '',
+            size: 5,
+            cells: seq(25).map(() => false),
+        })),
+    })
+    .views(self => ({
+        // Returns why the draft can't be saved, or '' if it can
+        get draftProblem() {
+            const { name, cells } = self.draft;
+            if (!name) return 'Give the pattern a name first.';
+            if (builtinPatterns[name])
+                return `"${name}" is the name of a built-in pattern; pick another.`;
+            if (!cells.some(c => c)) return 'Click some squares to draw the pattern first.';
+            return '';
+        },
+    }))
+    .actions(self => ({
+        toggleActive(name: string) {
+            if (self.active.includes(name)) self.active = cast(self.active.filter(n => n !== name));
+            else self.active.push(name);
+        },
+        saveDraft() {
+            if (self.draftProblem) return false;
+            const { name, size, cells } = self.draft;
+
+            self.custom = cast([
+                ...self.custom.filter(p => p.name !== name).map(p => getSnapshot(p)),
+                { name, size, cells: [...cells] },
+            ]);
+            if (!self.active.includes(name)) self.active.push(name);
+            self.draft.resize(size);
+            self.draft.setName('');
+            return true;
+        },
+        deleteCustom(name: string) {
+            self.custom = cast(self.custom.filter(p => p.name !== name).map(p => getSnapshot(p)));
+            self.active = cast(self.active.filter(n => n !== name));
+        },
+    }))
+    .views(self => ({
+        get available() {
+            return [...Object.keys(builtinPatterns), ...self.custom.map(p => p.name)];
+        },
+        // Active custom patterns drawn for a different board size, which can never be won
+        unfit(size: number) {
+            return self.custom
+                .filter(p => self.active.includes(p.name) && p.size !== size)
+                .map(p => p.name);
+        },
+    }))
+    .views(self => ({
+        // Snapshots to hand to a new board, so it keeps its rules even if the set changes later.
+        // Falls back to lines if none of the active patterns fit the board.
+        selected(size: number) {
+            const unfit = self.unfit(size);
+            const selected = self.active
+                .filter(name => !unfit.includes(name))
+                .map(name => {
+                    if (builtinPatterns[name]) return { name };
+                    const custom = self.custom.find(p => p.name === name);
+                    return custom && getSnapshot(custom);
+                })
+                .filter(p => p);
+            return selected.length ? selected : [{ name: 'lines' }];
+        },
+    }));
+
+type PatternSetType = Instance<typeof PatternSet>;
+
+/* ---- Board options ---- */
+
+const MIN_SIZE = 3;
+const MAX_SIZE = 7;
+
+type FreeMode = 'center' | 'random' | 'none';
+const freeModes: FreeMode[] = ['center', 'random', 'none'];
+
+type BoardOptions = {
+    size?: number;
+    free?: FreeMode;
+    unique?: boolean;
+    cover?: boolean;
+    seed?: number;
+};
+
+const BoardSettings = types
+    .model('BoardSettings', {
+        size: 5,
+        free: types.optional(types.enumeration<FreeMode>('FreeMode', freeModes), 'center'),
+        unique: false,
+        // At least one label from each category on every card
+        cover: false,
+    })
+    .actions(self => ({
+        setSize(size: number) {
+            self.size = Math.min(MAX_SIZE, Math.max(MIN_SIZE, Math.round(size) || 5));
+        },
+        setFree(free: FreeMode) {
+            if (freeModes.includes(free)) self.free = free;
+        },
+        setUnique(unique = true) {
+            self.unique = unique;
+        },
+        setCover(cover = true) {
+            self.cover = cover;
+        },
+    }));
+
+type BoardSettingsType = Instance<typeof BoardSettings>;
+
+// Returns why a board can't be built from these labels and options, or '' if it can
+const boardProblem = (
+    labels: LabelListType,
+    { size = 5, free = 'center', unique = false, cover = false }: BoardOptions = {}
+) => {
+    if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE)
+        return `Board size must be between ${MIN_SIZE} and ${MAX_SIZE}.`;
+    if (!labels.numLabels) return 'Add some labels first.';
+
+    const available = labels.numLabels - 1;
+    const needed = size ** 2 - (free === 'none' ? 0 : 1);
+    if (!available) return 'Add at least one label besides the free square.';
+    if (unique && available < needed)
+        return (
+            `A ${size}x${size} board without repeated labels needs ${needed} labels ` +
+            `besides the free square, but only ${available} are available.`
+        );
+
+    const categories = labels.dealtCategories.length;
+    if (cover && categories > needed)
+        return `A ${size}x${size} board has room for ${needed} labels, too few to show all ${categories} categories.`;
+
+    return '';
+};
+
+const freeSquareIndex = (size: number, free: FreeMode, rng: Rng) => {
+    if (free === 'none') return -1;
+    if (free === 'random') return randInt(size ** 2, rng);
+
+    const mid = Math.floor(size / 2);
+    if (size % 2) return mid * size + mid;
+
+    // Even boards have no middle square, so use one of the four around the center
+    const pick = randInt(4, rng);
+    return (mid - 1 + Math.floor(pick / 2)) * size + (mid - 1 + (pick % 2));
+};
+
+/* ---- Board code ---- */
+
+type BoardCode = {
+    seed: number;
+    size: number;
+    hash: number;
+    free: FreeMode;
+    unique: boolean;
+    cover: boolean;
+};
+
+const OPTION_COUNT = freeModes.length * 4;
+
+// Format: <seed>.<size>.<label hash>.<options>, each part in base 36.
+// Options default to a centered free square with repeats allowed when the last part is missing.
+const encodeBoardCode = ({ seed, size, hash, free, unique, cover }: BoardCode) =>
+    [
+        seed,
+        size,
+        hash,
+        freeModes.indexOf(free) + freeModes.length * ((unique ? 1 : 0) + (cover ? 2 : 0)),
+    ]
+        .map(n => n.toString(36))
+        .join('.');
+
+const decodeBoardCode = (code: string): BoardCode => {
+    const parts = (code || '').trim().toLowerCase().split('.');
+    if (![3, 4].includes(parts.length) || !parts.every(p => /^[0-9a-z]+$/.test(p))) return null;
+
+    const [seed, size, hash, options = 0] = parts.map(p => parseInt(p, 36));
+    if (seed > 0xffffffff || hash > 0xffffffff || size < MIN_SIZE || size > MAX_SIZE) return null;
+    if (options >= OPTION_COUNT) return null;
+
+    const flags = Math.floor(options / freeModes.length);
+    return {
+        seed,
+        size,
+        hash,
+        free: freeModes[options % freeModes.length],
+        unique: (flags & 1) > 0,
+        cover: (flags & 2) > 0,
+    };
+};
+
+/* ---- Check log ---- */
+
+const CheckEvent = types.model('CheckEvent', {
+    square: types.number,
+    checked: types.boolean,
+    time: types.number,
+});
+
+type CheckEventType = Instance<typeof CheckEvent>;
+
 /* ---- Board ---- */
 
 const Board = types
     .model('Board', {
         squares: types.array(Square),
         size: 5,
+        seed: types.maybe(types.number),
+        labelHash: types.maybe(types.number),
+        free: types.optional(types.enumeration<FreeMode>('FreeMode', freeModes), 'center'),
+        unique: false,
+        cover: false,
+        patterns: types.optional(types.array(Pattern), [{ name: 'lines' }]),
+        startedAt: types.maybe(types.number),
+        log: types.array(CheckEvent),
+        redoStack: types.array(CheckEvent),
     })
+    // Index of the square that keyboard focus sits on
+    .volatile(() => ({ cursor: 0 }))
+    .actions(self => ({
+        setCursor(idx: number) {
+            self.cursor = Math.max(0, Math.min(self.squares.length - 1, idx));
+        },
+        logCheck(square: SquareType) {
+            self.log.push({
+                square: self.squares.indexOf(square),
+                checked: square.checked,
+                time: square.checkedAt || Date.now(),
+            });
+            self.redoStack.clear();
+        },
+    }))
+    .actions(self => ({
+        afterCreate() {
+            // Log every square check/uncheck, however it was triggered
+            addMiddleware(self, (call, next) => {
+                next(call);
+                if (call.type === 'action' && call.name === 'check')
+                    self.logCheck(call.context as SquareType);
+            });
+        },
+        undo() {
+            if (!self.log.length) return;
+            // Snapshot first, since popping destroys the node
+            const event = getSnapshot(self.log[self.log.length - 1]);
+            self.log.pop();
+
+            // Unchecking puts back the time of the check being restored, if there is one
+            const previous = self.log.filter(e => e.square === event.square && e.checked).pop();
+            self.squares[event.square].setChecked(!event.checked, previous && previous.time);
+            self.redoStack.push(event);
+        },
+        redo() {
+            if (!self.redoStack.length) return;
+            const event = getSnapshot(self.redoStack[self.redoStack.length - 1]);
+            self.redoStack.pop();
+
+            self.squares[event.square].setChecked(event.checked, event.time);
+            self.log.push(event);
+        },
+        setPatterns(patterns: PatternType[] | { name: string }[]) {
+            self.patterns = cast(patterns);
+        },
+    }))
     .views(self => {
         function getDim(dim = 'row'): SquareType[][] {
             if (['row', 'col'].includes(dim))
@@ -91,53 +569,441 @@ const Board = types
                     )
                 );
             },
-            get completed() {
-                const {
-                    rows,
-                    columns,
-                    diagonals,
-                }: {
-                    rows: SquareType[][];
-                    columns: SquareType[][];
-                    diagonals: SquareType[][];
-                } = this;
-                return (
-                    self.squares.length &&
-                    [...rows, ...columns, ...diagonals].some(s => s.every(square => square.checked))
+            // Rows, columns and diagonals with names people would say out loud
+            get namedLines(): { name: string; squares: SquareType[] }[] {
+                const { rows, columns, diagonals } = this as Lines;
+                return [
+                    ...rows.map((squares, i) => ({ name: `row ${i + 1}`, squares })),
+                    ...columns.map((squares, i) => ({ name: `column ${i + 1}`, squares })),
+                    ...diagonals.map((squares, i) => ({
+                        name: i ? 'the rising diagonal' : 'the falling diagonal',
+                        squares,
+                    })),
+                ];
+            },
+            // How many squares each line still needs
+            get lineNeeds(): { name: string; needed: number }[] {
+                return this.namedLines.map(({ name, squares }) => ({
+                    name,
+                    needed: squares.filter(s => !s.checked).length,
+                }));
+            },
+            get closestLine(): { name: string; needed: number } {
+                return this.lineNeeds.reduce(
+                    (best, line) => (!best || line.needed < best.needed ? line : best),
+                    null
                 );
             },
+            // Lines with exactly one square left to check
+            get oneAway() {
+                return this.lineNeeds.filter(line => line.needed === 1).map(line => line.name);
+            },
+            get completion() {
+                const squares = self.squares.filter(s => !s.free);
+                return squares.length ? squares.filter(s => s.checked).length / squares.length : 0;
+            },
+            // First active pattern with a fully checked group, and the squares that made it
+            get win(): { pattern: PatternType; squares: SquareType[] } {
+                const lines: Lines = this;
+                for (const pattern of self.patterns) {
+                    const squares = pattern
+                        .groups(lines)
+                        .find(group => group.length && group.every(square => square.checked));
+                    if (squares) return { pattern, squares };
+                }
+                return null;
+            },
+            get completed() {
+                return self.squares.length > 0 && this.win !== null;
+            },
+            get checkOrder() {
+                return self.squares
+                    .filter(s => s.checked && !s.free)
+                    .sort((a, b) => (a.checkedAt || 0) - (b.checkedAt || 0));
+            },
+            get layout() {
+                return self.squares.map(s => s.label).join('\n');
+            },
+            get canUndo() {
+                return self.log.length > 0;
+            },
+            get canRedo() {
+                return self.redoStack.length > 0;
+            },
+            // Boards saved before the log existed fall back to the final check times
+            get timeline(): { label: string; checked: boolean; time: number }[] {
+                if (self.log.length)
+                    return self.log.map(({ square, checked, time }) => ({
+                        label: self.squares[square].label,
+                        checked,
+                        time,
+                    }));
+
+                return this.checkOrder
+                    .filter(s => s.checkedAt)
+                    .map(({ label, checkedAt }) => ({ label, checked: true, time: checkedAt }));
+            },
+            // Which squares were checked after the first 'step' logged events
+            checkedAfter(step: number) {
+                const checked = self.squares.map(s => s.free);
+                self.log.slice(0, step).forEach(e => (checked[e.square] = e.checked));
+                return checked;
+            },
+            get code() {
+                return self.seed === undefined
+                    ? ''
+                    : encodeBoardCode({
+                          seed: self.seed,
+                          size: self.size,
+                          hash: self.labelHash,
+                          free: self.free,
+                          unique: self.unique,
+                          cover: self.cover,
+                      });
+            },
         };
     });
 
 type BoardType = Instance<typeof Board>;
+type BoardSnapshot = SnapshotIn<typeof Board>;
 
 /* ---- Build board ---- */
 
-const buildBoard = (labels: LabelListType, size = 5, randomFree = false) => {
-    if (size && labels.list.length) {
-        const numdecks =
-            // 1 + Math.max(0, Math.floor((size ** 2 - labels.numLabels) / (labels.numLabels - 1)));
-            Math.ceil((size ** 2 - 1) / (labels.numLabels - 1));
-
-        const boardlabels = seq(numdecks)
-            .flatMap(() => shuffleArray(labels.list.filter((_, i) => i !== labels.freeIndex)))
-            .slice(0, size ** 2 - 1);
-        const freeIndex = randomFree ? randInt(size ** 2) : Math.floor(size ** 2 / 2);
-        boardlabels.splice(freeIndex, 0, labels.freeLabel);
-
-        return Board.create({
-            squares: boardlabels.map((label, i) =>
-                Square.create({
-                    row: Math.floor(i / size),
-                    col: i % size,
-                    label: label,
-                    free: i === freeIndex,
-                    checked: i === freeIndex,
-                })
-            ),
-            size,
+// Weighted shuffle (Efraimidis-Spirakis): heavier labels tend to come first
+const weightedShuffle = (labels: LabelType[], rng: Rng) =>
+    labels
+        .map(label => ({ label, key: rng() ** (1 / label.weight) }))
+        .sort((a, b) => b.key - a.key)
+        .map(({ label }) => label);
+
+// Brings in a label for each category the card lacks, replacing the last label whose
+// category is uncategorized or already on the card more than once
+const coverCategories = (card: LabelType[], rest: LabelType[], categories: string[]) => {
+    const cells = [...card];
+    const count = (category: string) => cells.filter(l => l.category === category).length;
+
+    categories
+        .filter(category => !cells.some(l => l.category === category))
+        .forEach(category => {
+            const pick = rest.find(l => l.category === category);
+            const spare = cells
+                .map((l, i) => (!l.category || count(l.category) > 1 ? i : -1))
+                .filter(i => i >= 0)
+                .pop();
+            if (pick && spare !== undefined) cells[spare] = pick;
+        });
+    return cells;
+};
+
+// Swaps squares between rows until no row is filled by a single category
+const spreadCategories = (cells: LabelType[], size: number, rng: Rng) => {
+    const category = (i: number) => (cells[i] ? cells[i].category : '');
+    const singleCategoryRow = () =>
+        seq(size).findIndex(row => {
+            const first = category(row * size);
+            return first && seq(size).every(col => category(row * size + col) === first);
         });
+
+    for (let tries = 0; tries < size ** 2; tries++) {
+        const row = singleCategoryRow();
+        if (row < 0) return;
+
+        const i = row * size + randInt(size, rng);
+        const others = seq(size ** 2).filter(
+            j => Math.floor(j / size) !== row && cells[j] && category(j) !== category(i)
+        );
+        if (!others.length) return;
+
+        const j = others[randInt(others.length, rng)];
+        [cells[i], cells[j]] = [cells[j], cells[i]];
     }
 };
 
-export { buildBoard, BoardType, SquareType, LabelListType, Board, LabelList };
+const buildBoard = (labels: LabelListType, options: BoardOptions = {}) => {
+    const { size = 5, free = 'center', unique = false, cover = false } = options;
+    const { seed = randomSeed() } = options;
+    if (boardProblem(labels, { size, free, unique, cover })) return undefined;
+
+    const rng = seededRng(seed);
+    const deck = labels.list.filter((_, i) => i !== labels.freeIndex);
+    const needed = size ** 2 - (free === 'none' ? 0 : 1);
+    const numdecks = unique ? 1 : Math.ceil(needed / deck.length);
+
+    // Decks of plain labels take the original path, so older board codes give the same cards
+    const order: LabelType[] = seq(numdecks).flatMap(() =>
+        labels.weighted ? weightedShuffle(deck, rng) : shuffleArray(deck, rng)
+    );
+    let cells = order.slice(0, needed);
+    if (labels.weighted) {
+        if (cover) cells = coverCategories(cells, order.slice(needed), labels.dealtCategories);
+        // The weighted order puts heavy labels first, so shuffle their positions too
+        cells = shuffleArray(cells, rng);
+    }
+
+    const freeIndex = freeSquareIndex(size, free, rng);
+    if (freeIndex >= 0) cells.splice(freeIndex, 0, null);
+    spreadCategories(cells, size, rng);
+
+    return Board.create({
+        squares: cells.map((label, i) =>
+            Square.create({
+                row: Math.floor(i / size),
+                col: i % size,
+                label: i === freeIndex ? labels.freeLabel : label.text,
+                free: i === freeIndex,
+                checked: i === freeIndex,
+            })
+        ),
+        size,
+        seed,
+        labelHash: labels.hash,
+        free,
+        unique,
+        cover,
+        startedAt: Date.now(),
+    });
+};
+
+/* ---- History ---- */
+
+const MAX_HISTORY = 100;
+
+const GameRecord = types
+    .model('GameRecord', {
+        board: Board,
+        deck: '',
+        pattern: '',
+        finishedAt: types.number,
+    })
+    .views(self => ({
+        // From the first check rather than board.startedAt, since boards are dealt ahead of play
+        get duration() {
+            const [first] = self.board.log;
+            return first ? self.finishedAt - first.time : undefined;
+        },
+    }));
+
+type GameRecordType = Instance<typeof GameRecord>;
+
+const History = types
+    .model('History', {
+        games: types.array(GameRecord),
+        current: 0,
+    })
+    // Replay position in the selected game's log; -1 shows the final board
+    .volatile(() => ({ step: -1 }))
+    .actions(self => ({
+        record(board: BoardType, deck = '') {
+            const win = board.win;
+            self.games.unshift({
+                board: getSnapshot(board),
+                deck,
+                pattern: win ? win.pattern.label : '',
+                finishedAt: Date.now(),
+            });
+            if (self.games.length > MAX_HISTORY) self.games.splice(MAX_HISTORY);
+            self.current = 0;
+            self.step = -1;
+        },
+        select(idx: number) {
+            if (idx >= 0 && idx < self.games.length) self.current = idx;
+            self.step = -1;
+        },
+        setStep(step: number) {
+            self.step = step;
+        },
+        remove(idx: number = self.current) {
+            if (idx < 0 || idx >= self.games.length) return;
+            self.games.splice(idx, 1);
+            // Stay on the same game if an earlier one was removed
+            if (idx < self.current) self.current--;
+            else if (self.current >= self.games.length)
+                self.current = Math.max(0, self.games.length - 1);
+            self.step = -1;
+        },
+        clear() {
+            self.games.clear();
+            self.current = 0;
+            self.step = -1;
+        },
+    }))
+    .views(self => ({
+        get game(): GameRecordType {
+            return self.games[self.current];
+        },
+        // How often each label was on a finished card and how often it got checked
+        get labelStats(): { label: string; dealt: number; checked: number; rate: number }[] {
+            const stats = new Map<string, { dealt: number; checked: number }>();
+            self.games.forEach(({ board }) =>
+                board.squares
+                    .filter(s => !s.free)
+                    .forEach(({ label, checked }) => {
+                        const stat = stats.get(label) || { dealt: 0, checked: 0 };
+                        stat.dealt++;
+                        if (checked) stat.checked++;
+                        stats.set(label, stat);
+                    })
+            );
+            return [...stats.entries()]
+                .map(([label, { dealt, checked }]) => ({
+                    label,
+                    dealt,
+                    checked,
+                    rate: checked / dealt,
+                }))
+                .sort((a, b) => b.rate - a.rate || b.dealt - a.dealt);
+        },
+        get averageDuration() {
+            const durations = self.games.map(g => g.duration).filter(d => d !== undefined);
+            return durations.length
+                ? durations.reduce((sum, d) => sum + d, 0) / durations.length
+                : undefined;
+        },
+    }));
+
+type HistoryType = Instance<typeof History>;
+
+/* ---- Rooms ---- */
+
+// The host's copy of a player's board, kept in sync from the marks they send
+const RoomPlayer = types
+    .model('RoomPlayer', {
+        id: types.identifier,
+        name: '',
+        board: Board,
+        claim: types.optional(types.enumeration('Claim', ['none', 'valid', 'invalid']), 'none'),
+        claimNote: '',
+    })
+    .actions(self => ({
+        setMarks(checked: boolean[]) {
+            self.board.squares.forEach((square, i) => {
+                if (
+                    !square.free &&
+                    typeof checked[i] === 'boolean' &&
+                    square.checked !== checked[i]
+                )
+                    square.setChecked(checked[i], Date.now());
+            });
+        },
+        setClaim(claim: 'none' | 'valid' | 'invalid', note = '') {
+            self.claim = claim;
+            self.claimNote = note;
+        },
+    }))
+    .views(self => ({
+        get progress() {
+            return self.board.completion;
+        },
+    }));
+
+type RoomPlayerType = Instance<typeof RoomPlayer>;
+
+const Room = types
+    .model('Room', {
+        id: '',
+        host: false,
+        players: types.array(RoomPlayer),
+        // Labels the host has seen happen; only these count towards a Bingo
+        called: types.array(types.string),
+        verdict: '',
+    })
+    .actions(self => ({
+        addPlayer(id: string, name: string, board: BoardSnapshot) {
+            self.players = cast([
+                ...self.players.filter(p => p.id !== id).map(p => getSnapshot(p)),
+                { id, name, board },
+            ]);
+        },
+        toggleCalled(label: string) {
+            if (self.called.includes(label))
+                self.called = cast(self.called.filter(l => l !== label));
+            else self.called.push(label);
+        },
+        setCalled(labels: string[]) {
+            self.called = cast(labels);
+        },
+        setVerdict(verdict = '') {
+            self.verdict = verdict;
+        },
+    }))
+    .views(self => ({
+        player(id: string): RoomPlayerType {
+            return self.players.find(p => p.id === id);
+        },
+    }))
+    .actions(self => ({
+        // A claim holds if some active pattern is fully checked using only called squares
+        verify(id: string, checked: boolean[]) {
+            const player = self.player(id);
+            if (!player) return { valid: false, message: 'That player is not in this room.' };
+
+            player.setMarks(checked);
+            const { board } = player;
+            const isCalled = (s: SquareType) => s.free || self.called.includes(s.label);
+            const complete = board.patterns.flatMap(pattern =>
+                pattern
+                    .groups(board)
+                    .filter(group => group.length && group.every(s => s.checked))
+                    .map(group => ({ pattern, group }))
+            );
+            const called = complete.find(({ group }) => group.every(isCalled));
+
+            if (called) {
+                player.setClaim('valid', called.pattern.label);
+                return {
+                    valid: true,
+                    message: `${player.name} has Bingo: ${called.pattern.label}`,
+                };
+            }
+
+            const message = complete.length
+                ? `Not called yet: ${complete[0].group
+                      .filter(s => !isCalled(s))
+                      .map(s => s.label)
+                      .join(', ')}`
+                : 'No winning pattern is checked on that board.';
+            player.setClaim('invalid', message);
+            return { valid: false, message };
+        },
+    }));
+
+type RoomType = Instance<typeof Room>;
+
+export {
+    buildBoard,
+    boardProblem,
+    MIN_SIZE,
+    MAX_SIZE,
+    MIN_WEIGHT,
+    MAX_WEIGHT,
+    freeModes,
+    FreeMode,
+    BoardOptions,
+    BoardSettings,
+    BoardSettingsType,
+    encodeBoardCode,
+    decodeBoardCode,
+    BoardCode,
+    builtinPatterns,
+    BoardType,
+    BoardSnapshot,
+    SquareType,
+    CheckEventType,
+    LabelType,
+    LabelSnapshot,
+    LabelListType,
+    DeckListType,
+    PatternType,
+    PatternSetType,
+    GameRecordType,
+    HistoryType,
+    RoomPlayerType,
+    RoomType,
+    Board,
+    LabelList,
+    DeckList,
+    Pattern,
+    PatternSet,
+    History,
+    Room,
+};
@@ -0,0 +1,168 @@
+import { buildBoard, BoardOptions, BoardType, LabelListType } from './models';
+
+/* ---- Card batches ---- */
+
+const MAX_ATTEMPTS_PER_CARD = 20;
+// Larger batches take too long to build and make unwieldy PDFs
+const MAX_BATCH = 200;
+
+// Builds up to 'count' boards with no two sharing a layout. Returns fewer if the deck
+// can't produce that many distinct layouts.
+const buildBatch = (labels: LabelListType, options: BoardOptions, count: number) => {
+    const boards: BoardType[] = [];
+    const layouts = new Set<string>();
+
+    for (let i = 0; boards.length < count && i < count * MAX_ATTEMPTS_PER_CARD; i++) {
+        const board = buildBoard(labels, { ...options, seed: undefined });
+        if (!board) break;
+        if (layouts.has(board.layout)) continue;
+
+        layouts.add(board.layout);
+        boards.push(board);
+    }
+    return boards;
+};
+
+// Greedy word wrap by character count, breaking words that are longer than a line
+const wrapText = (text: string, width: number) =>
+    text.split(/\s+/).reduce((lines: string[], word) => {
+        const chunks = word.match(new RegExp(`.{1,${width}}`, 'g')) || [];
+        chunks.forEach(chunk => {
+            const last = lines[lines.length - 1];
+            if (last !== undefined && last.length + chunk.length + 1 <= width)
+                lines[lines.length - 1] = `${last} ${chunk}`;
+            else lines.push(chunk);
+        });
+        return lines;
+    }, []);
+
+/* ---- SVG ---- */
+
+const CELL = 100;
+const MARGIN = 20;
+const FONT_SIZE = 11;
+
+const escapeXml = (text: string) =>
+    text.replace(
+        /[<>&'"]/g,
+        c => `&${{ '<': 'lt', '>': 'gt', '&': 'amp', "'": 'apos', '"': 'quot' }[c]};`
+    );
+
+const svgText = (x: number, y: number, size: number, content: string) =>
+    `<text x="${x}" y="${y}" font-size="${size}" text-anchor="middle">${content}</text>`;
+
+const cardSvg = (board: BoardType, title = 'Bingo') => {
+    const width = board.size * CELL + 2 * MARGIN;
+    const height = board.size * CELL + 4 * MARGIN;
+    const lineHeight = FONT_SIZE * 1.2;
+
+    const squares = board.squares.map(({ row, col, label, free }) => {
+        const x = MARGIN + col * CELL;
+        const y = 2 * MARGIN + row * CELL;
+        const fill = free ? '#eeeeee' : 'white';
+        const lines = wrapText(label, Math.floor(CELL / (FONT_SIZE * 0.55)));
+        const first = y + CELL / 2 - ((lines.length - 1) * lineHeight) / 2 + FONT_SIZE / 3;
+        return [
+            `<rect x="${x}" y="${y}" width="${CELL}" height="${CELL}" fill="${fill}" stroke="black"/>`,
+            ...lines.map((line, i) =>
+                svgText(x + CELL / 2, first + i * lineHeight, FONT_SIZE, escapeXml(line))
+            ),
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+            `viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+        `<rect width="100%" height="100%" fill="white"/>`,
+        svgText(width / 2, MARGIN * 1.5, MARGIN, escapeXml(title)),
+        ...squares,
+        svgText(width / 2, height - MARGIN * 0.75, FONT_SIZE, `Card ${escapeXml(board.code)}`),
+        '</svg>',
+        '',
+    ].join('\n');
+};
+
+/* ---- PDF ---- */
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const PAGE_MARGIN = 54;
+
+// The built-in Helvetica only covers Latin-1, so anything else is replaced
+const pdfString = (text: string) =>
+    `(${text.replace(/[^\x20-\x7e\xa0-\xff]/g, '?').replace(/[\\()]/g, c => `\\${c}`)})`;
+
+// Rough Helvetica width, good enough for centering
+const textWidth = (text: string, size: number) => text.length * size * 0.5;
+
+const pageContent = (board: BoardType, title: string) => {
+    const cell = (PAGE_WIDTH - 2 * PAGE_MARGIN) / board.size;
+    const fontSize = Math.min(14, cell / 7);
+    const lineHeight = fontSize * 1.2;
+    const top = PAGE_HEIGHT - 2 * PAGE_MARGIN;
+    const ops: string[] = [];
+
+    const text = (str: string, x: number, y: number, size: number) =>
+        ops.push(
+            `BT /F1 ${size} Tf ${x - textWidth(str, size) / 2} ${y} Td ${pdfString(str)} Tj ET`
+        );
+
+    text(title, PAGE_WIDTH / 2, PAGE_HEIGHT - PAGE_MARGIN - 24, 28);
+    board.squares.forEach(({ row, col, label, free }) => {
+        const x = PAGE_MARGIN + col * cell;
+        const y = top - (row + 1) * cell;
+        if (free) ops.push(`0.93 g ${x} ${y} ${cell} ${cell} re f 0 g`);
+        ops.push(`${x} ${y} ${cell} ${cell} re S`);
+
+        const lines = wrapText(label, Math.floor(cell / (fontSize * 0.55)));
+        const first = y + cell / 2 + ((lines.length - 1) * lineHeight) / 2 - fontSize / 3;
+        lines.forEach((line, i) => text(line, x + cell / 2, first - i * lineHeight, fontSize));
+    });
+    text(`Card ${board.code}`, PAGE_WIDTH / 2, top - board.size * cell - 24, 12);
+
+    return ops.join('\n');
+};
+
+// A minimal PDF: one page per card, text in the standard Helvetica font
+const batchPdf = (boards: BoardType[], title = 'Bingo') => {
+    // Object 0 is reserved; 1-3 are shared and each card adds a page and its contents
+    const objects: string[] = [''];
+    const pageIds = boards.map((_, i) => 4 + 2 * i);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${
+        boards.length
+    } >>`;
+    objects[3] =
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    boards.forEach((board, i) => {
+        const content = pageContent(board, title);
+        objects[pageIds[i]] =
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+        objects[pageIds[i] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+    });
+
+    // Offsets are in bytes; every character written is a single byte
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, id) => {
+        if (!id) return 0;
+
+        const offset = pdf.length;
+        pdf += `${id} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    pdf += offsets
+        .slice(1)
+        .map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`)
+        .join('');
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    // Write Latin-1 bytes as-is rather than encoding them as UTF-8
+    return new Blob([Uint8Array.from(pdf, c => c.charCodeAt(0))], { type: 'application/pdf' });
+};
+
+export { buildBatch, cardSvg, batchPdf, MAX_BATCH };
@@ -0,0 +1,166 @@
+import { reaction } from 'mobx';
+import { getSnapshot } from 'mobx-state-tree';
+import {
+    buildBoard,
+    BoardOptions,
+    BoardSnapshot,
+    BoardType,
+    LabelListType,
+    RoomType,
+} from './models';
+import { Transport } from './transport';
+
+/* ---- Room messages ---- */
+
+type RoomMessage =
+    | { type: 'hosting' }
+    | { type: 'join'; player: string; name: string }
+    | { type: 'deal'; player: string; board: BoardSnapshot }
+    | { type: 'marks'; player: string; checked: boolean[] }
+    | { type: 'claim'; player: string; checked: boolean[] }
+    | { type: 'verdict'; player: string; valid: boolean; message: string }
+    | { type: 'called'; labels: string[] };
+
+type RoomTransport = Transport<RoomMessage>;
+
+const MAX_DEAL_ATTEMPTS = 20;
+
+const newId = () => Math.floor(Math.random() * 36 ** 6).toString(36);
+
+const marksOf = (board: BoardType) => board.squares.map(s => s.checked);
+
+/* ---- Host ---- */
+
+// Deals each player a board from the shared deck whose layout nobody else has. Returns
+// undefined if none turns up, e.g. when the deck is too small for the number of players.
+const dealBoard = (room: RoomType, labels: LabelListType, options: BoardOptions) => {
+    const taken = room.players.map(p => p.board.layout);
+    for (let i = 0; i < MAX_DEAL_ATTEMPTS; i++) {
+        const board = buildBoard(labels, options);
+        if (!board) return undefined;
+        if (!taken.includes(board.layout)) return board;
+    }
+    return undefined;
+};
+
+// Returns a function that disconnects the host
+const hostRoom = (
+    room: RoomType,
+    transport: RoomTransport,
+    deal: () => {
+        labels: LabelListType;
+        options: BoardOptions;
+        patterns: Parameters<BoardType['setPatterns']>[0];
+    }
+) => {
+    const unsubscribe = transport.subscribe(message => {
+        switch (message.type) {
+            case 'join': {
+                // Players who rejoin get their old board back
+                let player = room.player(message.player);
+                if (!player) {
+                    const { labels, options, patterns } = deal();
+                    const board = dealBoard(room, labels, options);
+                    if (!board) {
+                        const text =
+                            `Couldn't deal ${message.name} a card nobody else has. ` +
+                            'Add labels to the deck so there are more different cards.';
+                        room.setVerdict(text);
+                        transport.send({
+                            type: 'verdict',
+                            player: message.player,
+                            valid: false,
+                            message: text,
+                        });
+                        return;
+                    }
+                    board.setPatterns(patterns);
+                    room.addPlayer(message.player, message.name, getSnapshot(board));
+                    player = room.player(message.player);
+                }
+                transport.send({
+                    type: 'deal',
+                    player: player.id,
+                    board: getSnapshot(player.board),
+                });
+                transport.send({ type: 'called', labels: [...room.called] });
+                break;
+            }
+            case 'marks': {
+                const player = room.player(message.player);
+                if (player) player.setMarks(message.checked);
+                break;
+            }
+            case 'claim': {
+                const { valid, message: text } = room.verify(message.player, message.checked);
+                transport.send({ type: 'verdict', player: message.player, valid, message: text });
+                break;
+            }
+        }
+    });
+
+    const stopCalled = reaction(
+        () => [...room.called],
+        labels => transport.send({ type: 'called', labels })
+    );
+    transport.send({ type: 'hosting' });
+
+    return () => {
+        unsubscribe();
+        stopCalled();
+        transport.close();
+    };
+};
+
+/* ---- Player ---- */
+
+// Returns the player's id and functions to claim a Bingo and to leave the room
+const joinRoom = (
+    room: RoomType,
+    transport: RoomTransport,
+    name: string,
+    onDeal: (board: BoardSnapshot) => BoardType
+) => {
+    const player = newId();
+    let stopMarks = () => {};
+
+    const unsubscribe = transport.subscribe(message => {
+        switch (message.type) {
+            case 'hosting':
+                transport.send({ type: 'join', player, name });
+                break;
+            case 'deal': {
+                if (message.player !== player) return;
+                stopMarks();
+                const board = onDeal(message.board);
+                stopMarks = reaction(
+                    () => marksOf(board),
+                    checked => transport.send({ type: 'marks', player, checked })
+                );
+                break;
+            }
+            case 'called':
+                room.setCalled(message.labels);
+                break;
+            case 'verdict':
+                if (message.player === player) room.setVerdict(message.message);
+                break;
+        }
+    });
+    transport.send({ type: 'join', player, name });
+
+    return {
+        player,
+        claim(board: BoardType) {
+            room.setVerdict('Waiting for the host to check your card...');
+            transport.send({ type: 'claim', player, checked: marksOf(board) });
+        },
+        leave() {
+            unsubscribe();
+            stopMarks();
+            transport.close();
+        },
+    };
+};
+
+export { RoomMessage, RoomTransport, newId, hostRoom, joinRoom };
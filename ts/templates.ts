@@ -1,26 +1,229 @@
 import { html } from 'lit-html';
+import { DeckFormat, MAX_LABEL_LENGTH } from './decks';
+import { MAX_BATCH } from './print';
 import { classMap } from 'lit-html/directives/class-map';
-import { BoardType, LabelListType, SquareType } from './models';
+import {
+    builtinPatterns,
+    freeModes,
+    MIN_SIZE,
+    MAX_SIZE,
+    MIN_WEIGHT,
+    MAX_WEIGHT,
+    BoardSettingsType,
+    BoardType,
+    DeckListType,
+    HistoryType,
+    LabelListType,
+    PatternSetType,
+    RoomType,
+    SquareType,
+} from './models';
 
-const t_square = ({ check, checked, label, free }: SquareType) => html`
-    <button class="square ${classMap({ checked, 'free-square': free })}" @click=${check}>
+type SquareView = Pick<SquareType, 'check' | 'checked' | 'label' | 'free' | 'row' | 'col'>;
+
+type BoardView = Pick<BoardType, 'size' | 'win'> & {
+    squares: SquareView[];
+    cursor?: number;
+    setCursor?: (idx: number) => void;
+};
+
+const moveKeys = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+
+// Arrow keys move focus around the grid, Home/End go to the ends of the row (or the board with Ctrl)
+const onGridKey = (board: BoardView) => (event: KeyboardEvent) => {
+    const { size, squares, cursor = 0 } = board;
+    const { row, col } = squares[cursor];
+    const clamp = (i: number) => Math.max(0, Math.min(size - 1, i));
+    const last = size - 1;
+
+    let target: number[];
+    if (moveKeys[event.key]) target = [row + moveKeys[event.key][0], col + moveKeys[event.key][1]];
+    else if (event.key === 'Home') target = event.ctrlKey ? [0, 0] : [row, 0];
+    else if (event.key === 'End') target = event.ctrlKey ? [last, last] : [row, last];
+    else return;
+    event.preventDefault();
+
+    const idx = squares.findIndex(s => s.row === clamp(target[0]) && s.col === clamp(target[1]));
+    board.setCursor(idx);
+    (event.currentTarget as HTMLElement).querySelectorAll<HTMLElement>('.square')[idx].focus();
+};
+
+const t_square = (
+    { check, checked, label, free }: SquareView,
+    winning = false,
+    tabindex = -1,
+    onFocus = () => {}
+) => html`
+    <button
+        class="square ${classMap({ checked, 'free-square': free, winning })}"
+        aria-pressed=${checked ? 'true' : 'false'}
+        aria-disabled=${free ? 'true' : 'false'}
+        tabindex=${tabindex}
+        @click=${() => free || check()}
+        @focus=${onFocus}
+    >
         ${label}
     </button>
 `;
 
-export const t_board = ({ squares, size }: BoardType) => html`
-    <style>
-        #board {
-            display: grid;
-            width: fit-content;
-            background-color: var(--jsb-primary-color);
-            padding: 2px;
-            grid-template-columns: repeat(${size}, var(--jsb-square-size));
-            grid-template-rows: repeat(${size}, var(--jsb-square-size));
-        }
-    </style>
-    <div id="board">
-        ${squares.map(t_square)}
+// Only interactive boards take keyboard focus; the rest are read-only copies
+export const t_board = (board: BoardView, interactive = false) => {
+    const { squares, size, win, cursor = 0 } = board;
+    const setCursor = interactive && board.setCursor;
+    const rows = [...Array(size).keys()].map(row => squares.filter(s => s.row === row));
+
+    // Several boards of different sizes can be on the page at once, so each sets its own
+    return html`
+        <div
+            class="board"
+            style="--jsb-board-size: ${size}"
+            role="grid"
+            aria-label="Bingo card"
+            aria-readonly=${setCursor ? 'false' : 'true'}
+            @keydown=${setCursor ? onGridKey(board) : null}
+        >
+            ${rows.map(
+                row => html`<div role="row" class="board-row">
+                    ${row.map(sq => {
+                        const i = squares.indexOf(sq);
+                        return html`<div role="gridcell" class="board-cell">
+                            ${t_square(
+                                sq,
+                                win !== null && win.squares.some(w => w === sq),
+                                setCursor && i === cursor ? 0 : -1,
+                                setCursor ? () => setCursor(i) : undefined
+                            )}
+                        </div>`;
+                    })}
+                </div>`
+            )}
+        </div>
+    `;
+};
+
+const percent = (fraction: number) => `${Math.round(fraction * 100)}%`;
+
+export const t_stats = (board: BoardType) =>
+    board.squares.length
+        ? html`
+              <div id="board-stats">
+                  <div>
+                      Completed: <strong>${percent(board.completion)}</strong>
+                      <meter value=${board.completion}></meter>
+                  </div>
+                  ${board.closestLine
+                      ? html`<div>
+                            Closest: <strong>${board.closestLine.name}</strong>,
+                            ${board.closestLine.needed
+                                ? `${board.closestLine.needed} to go`
+                                : 'complete'}
+                        </div>`
+                      : html``}
+                  <ul id="line-needs">
+                      ${board.lineNeeds.map(
+                          line =>
+                              html`<li class=${classMap({ close: line.needed <= 1 })}>
+                                  ${line.name}: ${line.needed}
+                              </li>`
+                      )}
+                  </ul>
+              </div>
+          `
+        : html``;
+
+export const t_undo = (board: BoardType) => html`
+    <div class="board-controls">
+        <button ?disabled=${!board.canUndo} @click=${() => board.undo()} title="Ctrl+Z">
+            Undo
+        </button>
+        <button ?disabled=${!board.canRedo} @click=${() => board.redo()} title="Ctrl+Y">
+            Redo
+        </button>
+    </div>
+`;
+
+// The board as it stood after the first 'step' logged checks
+const t_replay = (board: BoardType, step: number) => {
+    const checked = board.checkedAfter(step);
+    return t_board({
+        size: board.size,
+        win: null,
+        squares: board.squares.map(({ label, free, row, col }, i) => ({
+            label,
+            free,
+            row,
+            col,
+            checked: checked[i],
+            check: () => {},
+        })),
+    });
+};
+
+export const t_boardcode = (code: string, load: (code: string) => void) => html`
+    <div class="board-code">
+        <span>Board code: <strong>${code || '-'}</strong></span>
+        <label for="board-code-load">Load a code:</label>
+        <input
+            type="text"
+            name="board-code-load"
+            @change=${({ target }) => {
+                load(target.value);
+                target.value = '';
+            }}
+        />
+    </div>
+`;
+
+export const t_decks = (
+    decks: DeckListType,
+    importDeck: (file: File) => void,
+    exportDeck: (format: DeckFormat) => void
+) => html`
+    <div id="deck-controls">
+        <div>
+            <label for="deck-select">Deck:</label>
+            <select name="deck-select" @change=${({ target }) => decks.select(Number(target.value))}>
+                ${decks.decks.map(
+                    (deck, i) =>
+                        html`<option value=${i} ?selected=${i === decks.current}>${deck.name}</option>`
+                )}
+            </select>
+            <button @click=${() => decks.add()}>New</button>
+            <button @click=${() => decks.duplicate()}>Duplicate</button>
+            <button ?disabled=${decks.decks.length === 1} @click=${() => decks.delete()}>
+                Delete
+            </button>
+        </div>
+        <div>
+            <label for="deck-name">Rename:</label>
+            <input
+                type="text"
+                name="deck-name"
+                .value=${decks.deck.name}
+                @change=${({ target }) => {
+                    decks.deck.rename(target.value);
+                    target.value = decks.deck.name;
+                }}
+            />
+        </div>
+        <div>
+            <label for="deck-import">Import:</label>
+            <input
+                type="file"
+                name="deck-import"
+                accept=".json,.csv,.txt,text/plain"
+                @change=${({ target }) => {
+                    if (target.files.length) importDeck(target.files[0]);
+                    target.value = '';
+                }}
+            />
+        </div>
+        <div>
+            Export:
+            <button @click=${() => exportDeck('json')}>JSON</button>
+            <button @click=${() => exportDeck('csv')}>CSV</button>
+            <button @click=${() => exportDeck('text')}>Text</button>
+        </div>
     </div>
 `;
 
@@ -31,6 +234,7 @@ export const t_labellist = (labels: LabelListType) => html`
         <input
             type="text"
             name="item-add"
+            maxlength=${MAX_LABEL_LENGTH}
             @change=${({ target }) => {
                 labels.add(target.value);
                 target.value = '';
@@ -40,14 +244,52 @@ export const t_labellist = (labels: LabelListType) => html`
     <div id="label-list-container">
         ${labels.list.map(
             (item, i) =>
-                html`<span
-                        class="label-item ${classMap({ free: i === labels.freeIndex })}"
-                        @click=${() => {
+                html`<input
+                        type="radio"
+                        name="label-free"
+                        title="Use as the free square"
+                        aria-label="Use ${item.text} as the free square"
+                        .checked=${i === labels.freeIndex}
+                        @change=${() => {
                             labels.setFreeIndex(i);
                         }}
-                    >
-                        ${item}
-                    </span>
+                    />
+                    <input
+                        type="text"
+                        class="label-item ${classMap({ free: i === labels.freeIndex })}"
+                        maxlength=${MAX_LABEL_LENGTH}
+                        aria-label="Label text"
+                        .value=${item.text}
+                        @change=${({ target }) => {
+                            // Blank text is ignored, so show what was stored
+                            item.setText(target.value);
+                            target.value = item.text;
+                        }}
+                    />
+                    <input
+                        type="text"
+                        class="label-category"
+                        list="label-categories"
+                        placeholder="Category"
+                        aria-label="Category for ${item.text}"
+                        .value=${item.category}
+                        @change=${({ target }) => item.setCategory(target.value)}
+                    />
+                    <input
+                        type="number"
+                        class="label-weight"
+                        min=${MIN_WEIGHT}
+                        max=${MAX_WEIGHT}
+                        step="0.1"
+                        title="Weight: lower values show up less often"
+                        aria-label="Weight for ${item.text}"
+                        .value=${String(item.weight)}
+                        @change=${({ target }) => {
+                            // Out-of-range values are clamped, so show what was stored
+                            item.setWeight(Number(target.value) || 1);
+                            target.value = String(item.weight);
+                        }}
+                    />
                     <button
                         @click=${() => {
                             labels.delete(i);
@@ -57,11 +299,386 @@ export const t_labellist = (labels: LabelListType) => html`
                     </button>`
         )}
     </div>
+    <datalist id="label-categories">
+        ${labels.categories.map(category => html`<option value=${category}></option>`)}
+    </datalist>
+`;
+
+const freeModeLabels = { center: 'Centered', random: 'Random', none: 'None' };
+
+export const t_settings = (settings: BoardSettingsType, setSize: (size: number) => void) => html`
+    <div id="board-settings">
+        <div>
+            <label for="board-size">Board size:</label>
+            <select name="board-size" @change=${({ target }) => setSize(Number(target.value))}>
+                ${[...Array(MAX_SIZE - MIN_SIZE + 1).keys()].map(
+                    i =>
+                        html`<option value=${MIN_SIZE + i} ?selected=${settings.size === MIN_SIZE + i}>
+                            ${MIN_SIZE + i} x ${MIN_SIZE + i}
+                        </option>`
+                )}
+            </select>
+        </div>
+        <div>
+            <label for="free-mode">Free square:</label>
+            <select name="free-mode" @change=${({ target }) => settings.setFree(target.value)}>
+                ${freeModes.map(
+                    mode =>
+                        html`<option value=${mode} ?selected=${settings.free === mode}>
+                            ${freeModeLabels[mode]}
+                        </option>`
+                )}
+            </select>
+        </div>
+        <label>
+            <input
+                type="checkbox"
+                .checked=${settings.unique}
+                @change=${({ target }) => settings.setUnique(target.checked)}
+            />
+            No repeated labels
+        </label>
+        <label>
+            <input
+                type="checkbox"
+                .checked=${settings.cover}
+                @change=${({ target }) => settings.setCover(target.checked)}
+            />
+            At least one label from each category
+        </label>
+    </div>
 `;
 
-export const t_bingo = restart => html`
+const t_patternlabel = (name: string) =>
+    html`${builtinPatterns[name] ? builtinPatterns[name].label : name}`;
+
+export const t_patterns = (patterns: PatternSetType, savePattern: () => void) => html`
+    <div>Winning patterns:</div>
+    <div id="pattern-list">
+        ${patterns.available.map(
+            name =>
+                html`<label class="pattern-item">
+                    <input
+                        type="checkbox"
+                        .checked=${patterns.active.includes(name)}
+                        @change=${() => patterns.toggleActive(name)}
+                    />
+                    ${patterns.custom.find(p => p.name === name)
+                        ? html`${name}
+                              <button @click=${() => patterns.deleteCustom(name)}>X</button>`
+                        : t_patternlabel(name)}
+                </label>`
+        )}
+    </div>
+    <div>
+        <label for="pattern-name">Draw a pattern:</label>
+        <input
+            type="text"
+            name="pattern-name"
+            .value=${patterns.draft.name}
+            @change=${({ target }) => patterns.draft.setName(target.value)}
+        />
+        <button @click=${savePattern}>Save</button>
+    </div>
+    <style>
+        #pattern-draft {
+            display: grid;
+            width: fit-content;
+            grid-template-columns: repeat(${patterns.draft.size}, 1em);
+            grid-template-rows: repeat(${patterns.draft.size}, 1em);
+        }
+    </style>
+    <div id="pattern-draft">
+        ${patterns.draft.cells.map(
+            (cell, i) =>
+                html`<button
+                    class="pattern-cell ${classMap({ checked: cell })}"
+                    @click=${() => patterns.draft.toggle(i)}
+                ></button>`
+        )}
+    </div>
+`;
+
+const formatTime = (time: number) => new Date(time).toLocaleString();
+
+const formatDuration = (ms: number) => {
+    const minutes = Math.round(ms / 60000);
+    return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+export const t_history = (history: HistoryType) =>
+    history.games.length
+        ? html`
+              <div id="history">
+                  <div id="history-list">
+                      ${history.games.map(
+                          (record, i) =>
+                              html`<span
+                                      class="history-item ${classMap({
+                                          selected: i === history.current,
+                                      })}"
+                                      @click=${() => history.select(i)}
+                                  >
+                                      ${formatTime(record.finishedAt)}
+                                      <small>${record.deck} · ${record.pattern}</small>
+                                  </span>
+                                  <button @click=${() => history.remove(i)}>X</button>`
+                      )}
+                  </div>
+                  <div id="history-game">
+                      <div style="pointer-events: none;">
+                          ${history.step < 0
+                              ? t_board(history.game.board)
+                              : t_replay(history.game.board, history.step)}
+                      </div>
+                      <div>
+                          Won with <strong>${history.game.pattern}</strong>
+                          ${history.game.duration === undefined
+                              ? html``
+                              : html`after ${formatDuration(history.game.duration)}`}
+                      </div>
+                      ${history.game.board.log.length
+                          ? html`<label>
+                                Replay:
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max=${history.game.board.log.length}
+                                    .value=${String(
+                                        history.step < 0
+                                            ? history.game.board.log.length
+                                            : history.step
+                                    )}
+                                    @input=${({ target }) => history.setStep(Number(target.value))}
+                                />
+                            </label>`
+                          : html``}
+                      <ol id="history-timeline">
+                          ${history.game.board.timeline.map(
+                              (event, i) =>
+                                  html`<li
+                                      class=${classMap({
+                                          unchecked: !event.checked,
+                                          future: history.step >= 0 && i >= history.step,
+                                      })}
+                                  >
+                                      ${event.label}
+                                      ${event.checked ? 'at' : 'unchecked at'}
+                                      ${new Date(event.time).toLocaleTimeString([], {
+                                          hour: '2-digit',
+                                          minute: '2-digit',
+                                      })}
+                                  </li>`
+                          )}
+                      </ol>
+                  </div>
+              </div>
+          `
+        : html`No past games to display!`;
+
+type RoomHandlers = {
+    host: (url?: string) => void;
+    join: (id: string, name: string, url?: string) => void;
+    leave: () => void;
+};
+
+// Form fields for joining or hosting, kept between renders
+const roomForm = { name: '', id: '', url: '' };
+
+const t_roomform = ({ host, join }: RoomHandlers) => html`
+    <div class="room-form">
+        <div>
+            <label for="room-name">Your name:</label>
+            <input
+                type="text"
+                name="room-name"
+                .value=${roomForm.name}
+                @input=${({ target }) => (roomForm.name = target.value)}
+            />
+        </div>
+        <div>
+            <label for="room-url">Server (blank for tabs on this computer):</label>
+            <input
+                type="text"
+                name="room-url"
+                placeholder="ws://localhost:8080"
+                .value=${roomForm.url}
+                @input=${({ target }) => (roomForm.url = target.value)}
+            />
+        </div>
+        <div>
+            <button @click=${() => host(roomForm.url)}>Host a room</button>
+        </div>
+        <div>
+            <label for="room-id">Room code:</label>
+            <input
+                type="text"
+                name="room-id"
+                .value=${roomForm.id}
+                @input=${({ target }) => (roomForm.id = target.value)}
+            />
+            <button @click=${() => join(roomForm.id, roomForm.name, roomForm.url)}>Join</button>
+        </div>
+    </div>
+`;
+
+const t_roomhost = (room: RoomType, labels: string[]) => html`
+    ${room.verdict ? html`<div class="room-verdict">${room.verdict}</div>` : html``}
+    <div>Called so far (only these count towards a Bingo):</div>
+    <div id="room-called">
+        ${labels.map(
+            label =>
+                html`<span
+                    class="label-item ${classMap({ free: room.called.includes(label) })}"
+                    @click=${() => room.toggleCalled(label)}
+                    >${label}</span
+                >`
+        )}
+    </div>
+    <div id="room-players">
+        ${room.players.length
+            ? room.players.map(
+                  player => html`<div class="room-player ${player.claim}">
+                      <div>
+                          <strong>${player.name}</strong>
+                          <meter value=${player.progress}></meter>
+                          ${player.claim === 'none' ? '' : player.claimNote}
+                      </div>
+                      <div class="room-board">${t_board(player.board)}</div>
+                  </div>`
+              )
+            : 'No players yet.'}
+    </div>
+`;
+
+const t_roomplayer = (room: RoomType) => html`
+    ${room.verdict ? html`<div class="room-verdict">${room.verdict}</div>` : html``}
+    <div>Called so far:</div>
+    <ul id="room-called">
+        ${room.called.map(label => html`<li>${label}</li>`)}
+    </ul>
+`;
+
+export const t_room = (room: RoomType, labels: string[], handlers: RoomHandlers) =>
+    room.id
+        ? html`
+              <div>
+                  ${room.host ? 'Hosting' : 'Joined'} room <strong>${room.id}</strong>
+                  <button @click=${handlers.leave}>Leave</button>
+              </div>
+              ${room.host ? t_roomhost(room, labels) : t_roomplayer(room)}
+          `
+        : t_roomform(handlers);
+
+let printCount = 10;
+
+export const t_print = (
+    batch: BoardType[],
+    makeBatch: (count: number) => void,
+    output: (format: 'print' | 'svg' | 'pdf') => void
+) => html`
+    <div id="print-controls">
+        <div>
+            <label for="print-count">Print cards:</label>
+            <input
+                type="number"
+                name="print-count"
+                min="1"
+                max=${MAX_BATCH}
+                .value=${String(printCount)}
+                @change=${({ target }) => {
+                    printCount = Math.min(MAX_BATCH, Math.max(1, Number(target.value) || 1));
+                    target.value = String(printCount);
+                }}
+            />
+            <button @click=${() => makeBatch(printCount)}>Make</button>
+        </div>
+        ${batch.length
+            ? html`<div>
+                  ${batch.length} cards ready:
+                  <button @click=${() => output('print')}>Print</button>
+                  <button @click=${() => output('svg')}>SVG</button>
+                  <button @click=${() => output('pdf')}>PDF</button>
+              </div>`
+            : html``}
+    </div>
+`;
+
+// Only shown by the print stylesheet
+export const t_printbatch = (batch: BoardType[], title: string) => html`
+    ${batch.map(
+        board => html`<div class="print-card">
+            <div class="print-title">${title}</div>
+            ${t_board(board)}
+            <div class="print-id">Card ${board.code}</div>
+        </div>`
+    )}
+`;
+
+// Keeps Tab inside the dialog and closes it on Escape
+const onDialogKey = (dismiss: () => void) => (event: KeyboardEvent) => {
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        dismiss();
+    } else if (event.key === 'Tab') {
+        const focusable = [
+            ...(event.currentTarget as HTMLElement).querySelectorAll<HTMLElement>('button'),
+        ];
+        const idx = focusable.indexOf(document.activeElement as HTMLElement);
+        const next = (idx + (event.shiftKey ? -1 : 1) + focusable.length) % focusable.length;
+        event.preventDefault();
+        focusable[next].focus();
+    }
+};
+
+export const t_analytics = (history: HistoryType, deck: LabelListType) => {
+    const stats = history.labelStats;
+    return stats.length
+        ? html`
+              <div id="history-stats">
+                  ${history.averageDuration === undefined
+                      ? html``
+                      : html`<div>
+                            Average time to Bingo:
+                            <strong>${formatDuration(history.averageDuration)}</strong>
+                        </div>`}
+                  <table>
+                      <tr>
+                          <th>Label</th>
+                          <th>Checked</th>
+                          <th></th>
+                      </tr>
+                      ${stats.map(({ label, dealt, checked, rate }) => {
+                          const idx = deck.list.findIndex(l => l.text === label);
+                          return html`<tr class=${classMap({ never: !checked })}>
+                              <td>${label}</td>
+                              <td>${checked}/${dealt} (${percent(rate)})</td>
+                              <td>
+                                  ${!checked && idx >= 0 && idx !== deck.freeIndex
+                                      ? html`<button
+                                            title="Remove from ${deck.name}"
+                                            @click=${() => deck.delete(idx)}
+                                        >
+                                            Retire
+                                        </button>`
+                                      : html``}
+                              </td>
+                          </tr>`;
+                      })}
+                  </table>
+              </div>
+          `
+        : html``;
+};
+
+export const t_bingo = (restart, pattern = '', dismiss = () => {}) => html`
     <style>
         #bingo-win-bg {
+            opacity: 0;
+            animation-duration: 0.5s;
+            animation-name: fadein;
+            animation-delay: 1.5s;
+            animation-fill-mode: forwards;
             position: fixed;
             width: 100vw;
             height: 100vh;
@@ -105,21 +722,39 @@ export const t_bingo = restart => html`
             }
         }
     </style>
-    <div id="bingo-win-bg">
+    <div
+        id="bingo-win-bg"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="bingo-win-title"
+        @keydown=${onDialogKey(dismiss)}
+    >
         <div id="bingo-win" @click=${restart}>
             <div
+                id="bingo-win-title"
                 class="outline-text"
-                style="animation-duration: 0.5s; animation-name: slidein; font-size: 4em; text-align: center;"
+                style="animation-duration: 0.5s; animation-name: slidein; animation-delay: 1.5s; animation-fill-mode: backwards; font-size: 4em; text-align: center;"
             >
                 You achieved Bingo.
             </div>
+            ${pattern ? html`<div class="outline-text" style="font-size: 2em;">${pattern}</div>` : html``}
             <button
                 class="outline-text"
                 id="btn-restart"
-                style="opacity: 0; animation-duration: 1s; animation-name: fadein; animation-delay: 0.5s; animation-fill-mode: forwards; font-size: 2em;"
+                style="opacity: 0; animation-duration: 1s; animation-name: fadein; animation-delay: 2s; animation-fill-mode: forwards; font-size: 2em;"
             >
                 True.
             </button>
+            <button
+                id="btn-dismiss"
+                style="opacity: 0; animation-duration: 1s; animation-name: fadein; animation-delay: 2s; animation-fill-mode: forwards;"
+                @click=${event => {
+                    event.stopPropagation();
+                    dismiss();
+                }}
+            >
+                Not yet (Esc)
+            </button>
         </div>
     </div>
 `;
@@ -0,0 +1,114 @@
+/* ---- Room transports ---- */
+
+// Delivers messages to every other member of a room. Senders don't receive their own messages.
+type Transport<M = any> = {
+    send(message: M): void;
+    subscribe(handler: (message: M) => void): () => void;
+    close(): void;
+};
+
+const makeHandlers = <M>() => {
+    const handlers = new Set<(message: M) => void>();
+    return {
+        emit: (message: M) => handlers.forEach(handler => handler(message)),
+        subscribe(handler: (message: M) => void) {
+            handlers.add(handler);
+            return () => {
+                handlers.delete(handler);
+            };
+        },
+        clear: () => handlers.clear(),
+    };
+};
+
+// Tabs on the same machine. Uses BroadcastChannel where available, otherwise localStorage
+// 'storage' events, which fire in every tab except the one that wrote the key.
+const broadcastTransport = <M = any>(room: string): Transport<M> => {
+    const handlers = makeHandlers<M>();
+    const key = `jsb-room-${room}`;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+        const channel = new BroadcastChannel(key);
+        channel.onmessage = ({ data }) => handlers.emit(data);
+        return {
+            send: message => channel.postMessage(message),
+            subscribe: handlers.subscribe,
+            close() {
+                handlers.clear();
+                channel.close();
+            },
+        };
+    }
+
+    const onStorage = ({ key: changed, newValue }: StorageEvent) => {
+        if (changed === key && newValue) handlers.emit(JSON.parse(newValue).message);
+    };
+    window.addEventListener('storage', onStorage);
+    return {
+        // The nonce makes repeated identical messages still count as a change
+        send: message =>
+            localStorage.setItem(key, JSON.stringify({ message, nonce: Math.random() })),
+        subscribe: handlers.subscribe,
+        close() {
+            handlers.clear();
+            window.removeEventListener('storage', onStorage);
+            localStorage.removeItem(key);
+        },
+    };
+};
+
+// A relay server. Each frame is JSON { room, message }; the server is expected to pass every
+// frame on to the other sockets that have sent frames for the same room. relay.js in the repo
+// root does this for local testing.
+// Throws if the URL isn't a valid WebSocket URL. 'onError' is called once if the connection
+// fails or drops, but not after close().
+const webSocketTransport = <M = any>(
+    url: string,
+    room: string,
+    onError: (message: string) => void = () => {}
+): Transport<M> => {
+    const handlers = makeHandlers<M>();
+    const socket = new WebSocket(url);
+    const queue: string[] = [];
+    let opened = false;
+    let closed = false;
+
+    socket.onopen = () => {
+        opened = true;
+        queue.splice(0).forEach(frame => socket.send(frame));
+    };
+    socket.onmessage = ({ data }) => {
+        try {
+            const frame = JSON.parse(data);
+            if (frame && frame.room === room) handlers.emit(frame.message);
+        } catch (e) {
+            // Not one of ours
+        }
+    };
+    // Browsers don't say why a socket failed. 'close' usually follows 'error', but not always.
+    socket.onerror = socket.onclose = () => {
+        if (closed) return;
+        closed = true;
+        queue.length = 0;
+        handlers.clear();
+        socket.close();
+        onError(opened ? `Lost the connection to ${url}.` : `Couldn't connect to ${url}.`);
+    };
+
+    return {
+        send(message) {
+            if (closed) return;
+            const frame = JSON.stringify({ room, message });
+            if (socket.readyState === WebSocket.OPEN) socket.send(frame);
+            else queue.push(frame);
+        },
+        subscribe: handlers.subscribe,
+        close() {
+            closed = true;
+            handlers.clear();
+            socket.close();
+        },
+    };
+};
+
+export { Transport, broadcastTransport, webSocketTransport };